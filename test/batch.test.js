@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { run } = require("../orchestrator");
+const { createTempRepo, silenceConsole } = require("./helpers");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+process.env.SHIPYARD_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "shipyard-runs-"));
+
+const LAYOUT =
+  'export default function RootLayout({ children }) {\n  return <a className="text-orange-500 hover:text-orange-600">{children}</a>;\n}\n';
+
+function createTicketDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shipyard-batch-"));
+  fs.copyFileSync(path.join(FIXTURES, "tickets", "safe-replace.md"), path.join(dir, "a-purple.md"));
+  fs.writeFileSync(
+    path.join(dir, "b-missing.md"),
+    '# shipyard:ticket\n\ntitle: "Touch a file that does not exist"\nwhy: "Batch failure"\nscope:\n  - src/missing.tsx\ndod:\n  - "Nothing"\nsafe_replace:\n  - path: src/missing.tsx\n    replacements:\n      - find: "a"\n        replace: "b"\n',
+    "utf8"
+  );
+  fs.writeFileSync(path.join(dir, "notes.txt"), "not a ticket", "utf8");
+  return dir;
+}
+
+test("batch runs every ticket, keeps going past failures, and writes a report", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const ticketDir = createTicketDir();
+  const reportPath = path.join(ticketDir, "report.json");
+
+  const report = await run([
+    "batch",
+    ticketDir,
+    "--backend",
+    "local",
+    "--repo-path",
+    repo.dir,
+    "--concurrency",
+    "2",
+    "--report",
+    reportPath,
+  ]);
+
+  assert.equal(report.total, 2);
+  assert.equal(report.succeeded, 1);
+  assert.equal(report.failed, 1);
+  const [purple, missing] = report.results;
+  assert.equal(purple.ticket, path.join(ticketDir, "a-purple.md"));
+  assert.equal(purple.status, "committed");
+  assert.match(purple.branch, /^intent-a-purple-[0-9a-f]{6}$/);
+  assert.equal(purple.prUrl, null);
+  assert.equal(missing.status, "failed");
+  assert.match(missing.error, /src\/missing\.tsx/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(reportPath, "utf8")), report);
+});
+
+test("batch expands globs relative to their base directory", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const ticketDir = createTicketDir();
+
+  const report = await run([
+    "batch",
+    path.join(ticketDir, "a-*.md"),
+    "--backend",
+    "local",
+    "--repo-path",
+    repo.dir,
+    "--dry-run",
+    "--report",
+    path.join(ticketDir, "report.json"),
+  ]);
+
+  assert.equal(report.total, 1);
+  assert.equal(report.results[0].status, "dry-run");
+});
+
+test("batch rejects sources that contain no tickets", async (t) => {
+  silenceConsole(t);
+  const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), "shipyard-batch-"));
+  await assert.rejects(run(["batch", emptyDir, "--backend", "local"]), /No ticket files found/);
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { callLLM, validateModelFiles } = require("../orchestrator");
+const { toBase64, silenceConsole, setEnv } = require("./helpers");
+
+const BIG_FILE = Array.from({ length: 400 }, (_, index) =>
+  index === 199 ? '  <a className="text-orange-500" />' : `  // filler line ${index + 1} ${"x".repeat(60)}`
+).join("\n");
+const SCOPE_FILES = [{ path: "src/app/big.tsx", content: BIG_FILE }];
+
+async function startServer(t, respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const json = JSON.parse(body);
+      requests.push(json);
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify(respond(json)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  return { requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test("sends only the windows around focus terms when a file exceeds the context budget", async (t) => {
+  silenceConsole(t);
+  const content = JSON.stringify({
+    files: [{ path: "src/app/big.tsx", edits: [{ search: "text-orange-500", replace: "text-purple-500" }] }],
+  });
+  const server = await startServer(t, () => ({
+    id: "1",
+    object: "chat.completion",
+    choices: [{ index: 0, message: { role: "assistant", content } }],
+  }));
+  setEnv(t, {
+    LLM_PROVIDER: "openai-compatible",
+    OPENAI_BASE_URL: `${server.url}/v1`,
+    OPENAI_MODEL: "llama3.1",
+    LLM_CONTEXT_TOKENS: "4000",
+    LLM_EDIT_FORMAT: undefined,
+  });
+  const ticket = { title: "Swap `text-orange-500`", why: "Brand", scope: ["src/app/big.tsx"], dod: ["purple"] };
+
+  const [file] = await callLLM(ticket, SCOPE_FILES);
+
+  const [system, prompt] = server.requests[0].messages.map((message) => message.content);
+  assert.match(system, /"edits"/);
+  assert.match(prompt, /excerpts of a 400-line file/);
+  assert.match(prompt, /@@ lines 180-220 @@/);
+  assert.doesNotMatch(prompt, /filler line 1 /);
+  assert.equal(file.contents, BIG_FILE.replace("text-orange-500", "text-purple-500"));
+  assert.ok(console.log.mock.calls.some((call) => /Token budget: prompt ~\d+ \+ output ~\d+ of 4000/.test(call.arguments[0])));
+});
+
+test("refuses before calling the model when nothing can be windowed", async (t) => {
+  setEnv(t, { LLM_PROVIDER: "stub", LLM_STUB_FILE: undefined, LLM_CONTEXT_TOKENS: "4000" });
+  const ticket = { title: "Recolor", why: "Brand", scope: ["src/app/big.tsx"], dod: ["purple"] };
+
+  await assert.rejects(
+    callLLM(ticket, SCOPE_FILES),
+    /Token budget exceeded for stub: .*exceeds the 4000-token context\. Narrow the scope, add 'focus' terms/
+  );
+});
+
+test("raises Anthropic max_tokens to fit whole-file output and refuses beyond the model's limit", async (t) => {
+  silenceConsole(t);
+  const server = await startServer(t, () => ({
+    content: [{ type: "text", text: JSON.stringify({ files: [{ path: "src/app/big.tsx", contents_base64: toBase64(BIG_FILE) }] }) }],
+  }));
+  setEnv(t, {
+    LLM_PROVIDER: "anthropic",
+    ANTHROPIC_API_KEY: "test-key",
+    ANTHROPIC_BASE_URL: server.url,
+    ANTHROPIC_MAX_TOKENS: undefined,
+    LLM_EDIT_FORMAT: undefined,
+  });
+  const ticket = { title: "Recolor", why: "Brand", scope: ["src/app/big.tsx"], dod: ["purple"] };
+
+  await callLLM({ ...ticket, model: "claude-sonnet-4-20250514" }, SCOPE_FILES);
+  const maxTokens = server.requests[0].max_tokens;
+  assert.ok(maxTokens > 4000 && maxTokens <= 64000, `unexpected max_tokens ${maxTokens}`);
+
+  await assert.rejects(
+    callLLM({ ...ticket, model: "claude-3-5-sonnet-latest" }, SCOPE_FILES),
+    /exceeds the 8192-token output limit/
+  );
+  assert.equal(server.requests.length, 1);
+});
+
+test("honors ANTHROPIC_MAX_TOKENS above the fallback limit for models without a known limit", async (t) => {
+  silenceConsole(t);
+  const server = await startServer(t, () => ({
+    content: [{ type: "text", text: JSON.stringify({ files: [{ path: "src/app/big.tsx", contents_base64: toBase64(BIG_FILE) }] }) }],
+  }));
+  setEnv(t, {
+    LLM_PROVIDER: "anthropic",
+    ANTHROPIC_API_KEY: "test-key",
+    ANTHROPIC_BASE_URL: server.url,
+    ANTHROPIC_MAX_TOKENS: "32000",
+    LLM_EDIT_FORMAT: undefined,
+  });
+  const ticket = { title: "Recolor", why: "Brand", scope: ["src/app/big.tsx"], dod: ["purple"], model: "claude-haiku-4-5" };
+
+  await callLLM(ticket, SCOPE_FILES);
+
+  assert.equal(server.requests[0].max_tokens, 32000);
+});
+
+test("rejects whole-file contents for a file that was sent as excerpts", () => {
+  const windowed = [{ ...SCOPE_FILES[0], windows: [{ start: 179, end: 220 }] }];
+  assert.throws(
+    () =>
+      validateModelFiles([{ path: "src/app/big.tsx", contents_base64: toBase64("x\n") }], ["src/app/big.tsx"], {
+        scopeFiles: windowed,
+      }),
+    /src\/app\/big.tsx was sent as excerpts; return 'edits' or a 'diff'/
+  );
+});
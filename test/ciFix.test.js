@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { waitForCheckRuns, collectCheckFailures } = require("../orchestrator");
+
+// Each poll serves the next snapshot of check runs, check suites and commit statuses; the last one repeats.
+function fakeOctokit(snapshots) {
+  let poll = 0;
+  const current = () => snapshots[Math.min(poll, snapshots.length - 1)];
+  return {
+    polls: () => poll,
+    checks: {
+      listForRef: async () => ({ data: { check_runs: current().checkRuns || [] } }),
+      listSuitesForRef: async () => ({ data: { check_suites: current().suites || [] } }),
+      listAnnotations: async () => ({ data: [] }),
+    },
+    repos: {
+      getCombinedStatusForRef: async () => {
+        const statuses = current().statuses || [];
+        poll += 1;
+        return { data: { statuses } };
+      },
+    },
+  };
+}
+
+const noSleep = async () => {};
+const run = (name, status, conclusion = null) => ({ name, status, conclusion, output: {} });
+const suite = (status, count = 1) => ({ status, latest_check_runs_count: count });
+
+test("keeps waiting while a check suite has not finished, even if every run so far has", async () => {
+  const octokit = fakeOctokit([
+    { checkRuns: [run("lint", "completed", "success")], suites: [suite("completed"), suite("queued")] },
+    {
+      checkRuns: [run("lint", "completed", "success"), run("test", "completed", "failure")],
+      suites: [suite("completed"), suite("completed"), suite("queued", 0)],
+    },
+  ]);
+
+  const checks = await waitForCheckRuns(octokit, "acme", "bloom", "abc", { sleep: noSleep });
+
+  assert.equal(octokit.polls(), 2);
+  assert.deepEqual(
+    checks.checkRuns.map((checkRun) => checkRun.name),
+    ["lint", "test"]
+  );
+});
+
+test("waits for pending commit statuses and required checks that have not reported yet", async () => {
+  const octokit = fakeOctokit([
+    { checkRuns: [run("lint", "completed", "success")], suites: [suite("completed")] },
+    {
+      checkRuns: [run("lint", "completed", "success")],
+      suites: [suite("completed")],
+      statuses: [{ context: "ci/jenkins", state: "pending" }],
+    },
+    {
+      checkRuns: [run("lint", "completed", "success")],
+      suites: [suite("completed")],
+      statuses: [{ context: "ci/jenkins", state: "failure" }],
+    },
+  ]);
+
+  const checks = await waitForCheckRuns(octokit, "acme", "bloom", "abc", { required: ["jenkins"], sleep: noSleep });
+
+  assert.equal(octokit.polls(), 3);
+  assert.deepEqual(checks.statuses, [{ context: "ci/jenkins", state: "failure" }]);
+});
+
+test("reports failed commit statuses alongside failed check runs", async () => {
+  const failures = await collectCheckFailures(fakeOctokit([{}]), "acme", "bloom", {
+    checkRuns: [run("lint", "completed", "success")],
+    statuses: [
+      { context: "ci/jenkins", state: "error", description: "2 tests failed", target_url: "https://ci.example/1" },
+      { context: "Vercel", state: "success" },
+    ],
+  });
+
+  assert.deepEqual(failures, [
+    {
+      name: "ci/jenkins",
+      conclusion: "error",
+      output: ["2 tests failed", "Details: https://ci.example/1"],
+      annotations: [],
+    },
+  ]);
+});
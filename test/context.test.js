@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createRepoBackend, fetchContextFiles, validateModelFiles } = require("../orchestrator");
+const { createTempRepo, toBase64, silenceConsole } = require("./helpers");
+
+const PAGE = 'import { Button } from "./Button.js";\nimport theme from "../theme";\nimport React from "react";\n\nexport default function Page() {\n  return <Button />;\n}\n';
+
+function setup() {
+  const repo = createTempRepo({
+    "src/app/page.tsx": PAGE,
+    "src/app/Button.tsx": "export function Button() {\n  return <button />;\n}\n",
+    "src/theme/index.ts": "export default { brand: 'orange' };\n",
+    "tailwind.config.js": "module.exports = { theme: {} };\n",
+    "docs/big.md": "x".repeat(70 * 1024),
+  });
+  const backend = createRepoBackend("local", { repoPath: repo.dir, baseBranch: "main" });
+  const scopeFiles = [{ path: "src/app/page.tsx", content: PAGE }];
+  return { backend, scopeFiles };
+}
+
+test("fetches context globs and one level of relative imports, skipping scope files", async (t) => {
+  silenceConsole(t);
+  const { backend, scopeFiles } = setup();
+  const ticket = { scope: ["src/app/page.tsx"], context: ["*.config.js", "src/app/*.tsx"], context_imports: true };
+
+  const files = await fetchContextFiles(backend, "main", ticket, scopeFiles);
+
+  assert.deepEqual(
+    files.map((file) => file.path),
+    ["tailwind.config.js", "src/app/Button.tsx", "src/theme/index.ts"]
+  );
+});
+
+test("skips context files over the byte budget and rejects missing entries", async (t) => {
+  silenceConsole(t);
+  const { backend, scopeFiles } = setup();
+
+  const files = await fetchContextFiles(backend, "main", { context: ["tailwind.config.js", "docs/big.md"] }, scopeFiles);
+  assert.deepEqual(
+    files.map((file) => file.path),
+    ["tailwind.config.js"]
+  );
+  assert.match(console.warn.mock.calls[0].arguments[0], /Context: skipped docs\/big.md/);
+
+  await assert.rejects(
+    fetchContextFiles(backend, "main", { context: ["src/missing.ts"] }, scopeFiles),
+    /Context path not found in base branch: src\/missing.ts/
+  );
+  await assert.rejects(
+    fetchContextFiles(backend, "main", { context: ["lib/**/*.ts"] }, scopeFiles),
+    /Context entry matched no files in base branch: lib\/\*\*\/\*.ts/
+  );
+});
+
+test("rejects model edits to read-only context files even when scope would allow them", () => {
+  assert.throws(
+    () =>
+      validateModelFiles([{ path: "src/app/Button.tsx", contents_base64: toBase64("x\n") }], ["src/app/"], {
+        readOnly: ["src/app/Button.tsx"],
+      }),
+    /Model attempted to modify read-only context file: src\/app\/Button.tsx/
+  );
+});
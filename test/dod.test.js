@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { evaluateDod, parseTicket } = require("../orchestrator");
+const { writeTempFile } = require("./helpers");
+
+const LAYOUT = '<a className="text-purple-500 hover:text-purple-600">Home</a>\n<a className="text-purple-500">About</a>\n';
+
+function ticketWith(dod) {
+  return { title: "t", why: "w", scope: ["src/app/layout.tsx"], dod };
+}
+
+const files = [{ path: "src/app/layout.tsx", contents: LAYOUT }];
+const scopeFiles = [{ path: "src/app/layout.tsx", content: LAYOUT.replace(/purple/g, "orange") }];
+const readFile = async (filePath) => (filePath === "package.json" ? "{}" : null);
+
+test("evaluates structured assertions against the final contents", async () => {
+  const results = await evaluateDod(
+    ticketWith([
+      "Header link class uses text-purple-500",
+      { contains: "text-purple-500", path: "src/app/layout.tsx" },
+      { not_contains: "text-orange-500", path: "src/app/layout.tsx" },
+      { regex: "hover:text-\\w+-600", path: "src/app/layout.tsx" },
+      { count: "text-purple-500", equals: 2, path: "src/app/layout.tsx" },
+      { file_exists: "package.json" },
+    ]),
+    files,
+    scopeFiles,
+    readFile
+  );
+  assert.deepEqual(
+    results.map((result) => result.status),
+    ["manual", "pass", "pass", "pass", "pass", "pass"]
+  );
+});
+
+test("reports failing assertions with details", async () => {
+  const results = await evaluateDod(
+    ticketWith([
+      { count: "text-purple-500", min: 3, path: "src/app/layout.tsx", description: "Three purple links" },
+      { file_exists: "src/app/components/Missing.tsx" },
+      { contains: "x", path: "src/app/page.tsx" },
+    ]),
+    files,
+    scopeFiles,
+    readFile
+  );
+  assert.deepEqual(results, [
+    { check: "Three purple links", path: "src/app/layout.tsx", status: "fail", detail: "found 2" },
+    { check: "file exists", path: "src/app/components/Missing.tsx", status: "fail", detail: "file not found" },
+    { check: 'contains "x"', path: "src/app/page.tsx", status: "fail", detail: "file not found" },
+  ]);
+});
+
+test("parseTicket rejects assertions without a path", () => {
+  const ticketPath = writeTempFile(
+    "dod.md",
+    "---\ntitle: x\nwhy: y\nscope: [a.ts]\ndod:\n  - contains: foo\n---\n"
+  );
+  assert.throws(() => parseTicket(ticketPath), /dod\[0\] requires a 'path' string/);
+});
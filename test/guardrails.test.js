@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkGuardrails, parseTicket } = require("../orchestrator");
+const { writeTempFile } = require("./helpers");
+
+const BUTTON = [
+  'import React from "react";',
+  "",
+  "export const SIZES = ['sm', 'lg'];",
+  "export default function Button({ label }) {",
+  '  return <button className="text-orange-500">{label}</button>;',
+  "}",
+  "",
+].join("\n");
+
+const scopeFiles = [{ path: "src/components/Button.tsx", content: BUTTON }];
+
+function ticketWith(guardrails) {
+  return { title: "t", why: "w", scope: ["src/components/"], dod: ["d"], guardrails };
+}
+
+function edited(contents) {
+  return [{ path: "src/components/Button.tsx", contents }];
+}
+
+test("prose guardrails are prompt hints only", () => {
+  const violations = checkGuardrails(
+    ticketWith(["Keep edits minimal"]),
+    edited("completely different\n"),
+    scopeFiles
+  );
+  assert.deepEqual(violations, []);
+});
+
+test("passes a minimal edit under every structured rule", () => {
+  const violations = checkGuardrails(
+    ticketWith([
+      { max_changed_lines: 2 },
+      { forbid_tokens: ["!important"] },
+      { require_tokens: ["text-purple-500"] },
+      { no_new_imports: true },
+      { preserve_exports: true },
+      { touch_only_scope: true },
+    ]),
+    edited(BUTTON.replace("text-orange-500", "text-purple-500")),
+    scopeFiles
+  );
+  assert.deepEqual(violations, []);
+});
+
+test("reports every violated rule", () => {
+  const contents = [
+    'import React from "react";',
+    'import clsx from "clsx";',
+    "",
+    "export default function Button({ label }) {",
+    '  return <button className="text-orange-500 !important">{label}</button>;',
+    "}",
+    "",
+  ].join("\n");
+  const violations = checkGuardrails(
+    ticketWith([
+      { max_changed_lines: 2 },
+      { forbid_tokens: ["!important"] },
+      { require_tokens: ["text-purple-500"] },
+      { no_new_imports: true },
+      { preserve_exports: true },
+    ]),
+    edited(contents),
+    scopeFiles
+  );
+  assert.deepEqual(violations, [
+    "max_changed_lines: 4 lines changed, limit is 2",
+    'forbid_tokens: src/components/Button.tsx introduces "!important"',
+    'require_tokens: "text-purple-500" not found in any modified file',
+    "no_new_imports: src/components/Button.tsx adds clsx",
+    "preserve_exports: src/components/Button.tsx drops SIZES",
+  ]);
+});
+
+test("paths restrict a rule to matching files", () => {
+  const violations = checkGuardrails(
+    ticketWith([{ forbid_tokens: ["!important"], paths: ["**/*.css"] }]),
+    edited(`${BUTTON}// !important\n`),
+    scopeFiles
+  );
+  assert.deepEqual(violations, []);
+});
+
+test("parseTicket rejects unknown structured guardrails", () => {
+  const ticketPath = writeTempFile(
+    "guardrails.md",
+    "---\ntitle: x\nwhy: y\nscope: [a.ts]\ndod: [z]\nguardrails:\n  - max_lines: 3\n---\n"
+  );
+  assert.throws(() => parseTicket(ticketPath), /guardrails\[0\] must use exactly one of/);
+});
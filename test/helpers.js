@@ -0,0 +1,74 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+function writeTempFile(name, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shipyard-test-"));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, contents, "utf8");
+  return filePath;
+}
+
+function createTempRepo(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shipyard-repo-"));
+  const git = (...args) =>
+    execFileSync("git", args, {
+      cwd: dir,
+      encoding: "utf8",
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: "test",
+        GIT_AUTHOR_EMAIL: "test@example.com",
+        GIT_COMMITTER_NAME: "test",
+        GIT_COMMITTER_EMAIL: "test@example.com",
+      },
+    });
+  git("init", "-q", "-b", "main");
+  for (const [filePath, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(dir, filePath), contents, "utf8");
+  }
+  git("add", ".");
+  git("commit", "-q", "-m", "init");
+  return { dir, git };
+}
+
+function toBase64(text) {
+  return Buffer.from(text, "utf8").toString("base64");
+}
+
+function silenceConsole(t) {
+  for (const method of ["log", "warn", "error"]) {
+    t.mock.method(console, method, () => {});
+  }
+}
+
+function setEnv(t, values) {
+  const previous = {};
+  for (const [name, value] of Object.entries(values)) {
+    previous[name] = process.env[name];
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  t.after(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+}
+
+module.exports = {
+  writeTempFile,
+  createTempRepo,
+  toBase64,
+  silenceConsole,
+  setEnv,
+};
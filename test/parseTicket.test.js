@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { parseTicket } = require("../orchestrator");
+const { writeTempFile } = require("./helpers");
+
+const TICKET_FIELDS = [
+  'title: "Change header brand color to purple"',
+  'why: "Visual smoke"',
+  "scope:",
+  "  - ./src/app/layout.tsx",
+  "  - src/app/components//",
+  "dod:",
+  '  - "Header link class uses text-purple-500"',
+].join("\n");
+
+test("parses the bundled sample ticket", () => {
+  const ticket = parseTicket(path.join(__dirname, "..", "tickets", "sample.md"));
+  assert.equal(ticket.title, "Change header brand color to purple");
+  assert.deepEqual(ticket.scope, ["src/app/layout.tsx"]);
+  assert.deepEqual(ticket.guardrails, ["Touch only files listed in scope"]);
+});
+
+test("detects front-matter, fenced and heading ticket blocks", () => {
+  const variants = {
+    "front.md": `---\n${TICKET_FIELDS}\n---\n\nNotes below.`,
+    "fenced.md": `Some intro.\n\n\`\`\`yaml\n${TICKET_FIELDS}\n\`\`\`\n`,
+    "heading.md": `# shipyard:ticket\n\n${TICKET_FIELDS}\n`,
+  };
+  for (const [name, raw] of Object.entries(variants)) {
+    const ticket = parseTicket(writeTempFile(name, raw));
+    assert.equal(ticket.why, "Visual smoke", name);
+    assert.deepEqual(ticket.scope, ["src/app/layout.tsx", "src/app/components/"], name);
+  }
+});
+
+test("rejects tickets missing required fields", () => {
+  const ticketPath = writeTempFile("missing.md", "---\ntitle: x\nwhy: y\nscope: [a.txt]\n---\n");
+  assert.throws(() => parseTicket(ticketPath), /Ticket missing required field: dod/);
+});
+
+test("rejects scope entries that escape the repository", () => {
+  const ticketPath = writeTempFile(
+    "escape.md",
+    "---\ntitle: x\nwhy: y\nscope: [../secrets.txt]\ndod: [z]\n---\n"
+  );
+  assert.throws(() => parseTicket(ticketPath), /Scope path escapes repository/);
+});
+
+test("validates scope_filters shape", () => {
+  const ticketPath = writeTempFile(
+    "filters.md",
+    "---\ntitle: x\nwhy: y\nscope: [src/]\ndod: [z]\nscope_filters:\n  exclude: \"*.test.ts\"\n---\n"
+  );
+  assert.throws(() => parseTicket(ticketPath), /scope_filters.exclude must be an array/);
+});
+
+test("validates the optional ticket id", () => {
+  const ticketPath = writeTempFile("id.md", "---\ntitle: x\nwhy: y\nscope: [src/]\ndod: [z]\nid: \"--\"\n---\n");
+  assert.throws(() => parseTicket(ticketPath), /Ticket id must be a string with at least one letter or digit/);
+});
+
+test("validates file_ops and new_files against scope", () => {
+  const parse = (extra) =>
+    parseTicket(writeTempFile("ops.md", `---\ntitle: x\nwhy: y\nscope: [src/app/]\ndod: [z]\n${extra}\n---\n`));
+
+  const ticket = parse("new_files: [./src/app/Badge.tsx]\nfile_ops:\n  - rename: src/app/Old.tsx\n    to: src/app/New.tsx");
+  assert.deepEqual(ticket.new_files, ["src/app/Badge.tsx"]);
+
+  assert.throws(() => parse("new_files: [src/lib/x.ts]"), /Ticket path outside scope: src\/lib\/x.ts/);
+  assert.throws(() => parse("new_files: [src/app/]"), /must be a single file path/);
+  assert.throws(() => parse("file_ops:\n  - create: src/app/a.ts"), /file_ops\[0\]\.contents must be a non-empty string/);
+  assert.throws(() => parse("file_ops:\n  - delete: src/app/a.ts\n    create: src/app/b.ts"), /exactly one of: create, delete, rename/);
+  assert.throws(() => parse("file_ops:\n  - rename: src/app/a.ts"), /file_ops\[0\]\.to must be a non-empty path string/);
+});
+
+test("validates read-only context entries", () => {
+  const parse = (extra) =>
+    parseTicket(writeTempFile("context.md", `---\ntitle: x\nwhy: y\nscope: [src/app/]\ndod: [z]\n${extra}\n---\n`));
+
+  const ticket = parse("context: [./tailwind.config.js, src/components/**/*.tsx]\ncontext_imports: true");
+  assert.deepEqual(ticket.context, ["tailwind.config.js", "src/components/**/*.tsx"]);
+  assert.equal(ticket.context_imports, true);
+
+  assert.throws(() => parse("context: tailwind.config.js"), /Ticket context must be an array of paths or globs/);
+  assert.throws(() => parse("context: [../secrets.txt]"), /Context path escapes repository/);
+  assert.throws(() => parse("context_imports: yes please"), /Ticket context_imports must be true or false/);
+});
+
+test("validates focus terms", () => {
+  const ticketPath = writeTempFile("focus.md", "---\ntitle: x\nwhy: y\nscope: [src/]\ndod: [z]\nfocus: \"Header\"\n---\n");
+  assert.throws(() => parseTicket(ticketPath), /Ticket focus must be an array of non-empty strings/);
+});
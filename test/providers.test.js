@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { callLLM } = require("../orchestrator");
+const { writeTempFile, toBase64, silenceConsole, setEnv } = require("./helpers");
+
+const LAYOUT = 'export default function RootLayout() {\n  return <a className="text-orange-500" />;\n}\n';
+const TICKET = { title: "Recolor", why: "Brand", scope: ["src/app/layout.tsx"], dod: ["purple"] };
+const SCOPE_FILES = [{ path: "src/app/layout.tsx", content: LAYOUT }];
+
+test("openai-compatible posts to OPENAI_BASE_URL with the ticket's model and no key", async (t) => {
+  silenceConsole(t);
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ url: req.url, headers: req.headers, json: JSON.parse(body) });
+      const content = JSON.stringify({
+        files: [{ path: "src/app/layout.tsx", contents_base64: toBase64(LAYOUT.replace("orange", "purple")) }],
+      });
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify({ id: "1", object: "chat.completion", choices: [{ index: 0, message: { role: "assistant", content } }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  setEnv(t, {
+    LLM_PROVIDER: "openai-compatible",
+    OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    OPENAI_API_KEY: undefined,
+    OPENAI_MODEL: "llama3.1",
+    OPENAI_JSON_MODE: "false",
+  });
+
+  const [file] = await callLLM({ ...TICKET, model: "qwen2.5-coder:14b" }, SCOPE_FILES);
+
+  assert.match(file.contents, /text-purple-500/);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, "/v1/chat/completions");
+  assert.equal(requests[0].json.model, "qwen2.5-coder:14b");
+  assert.equal(requests[0].json.response_format, undefined);
+  assert.equal(requests[0].headers.authorization, "Bearer not-needed");
+});
+
+test("sends an empty Anthropic answer back for repair instead of failing the run", async (t) => {
+  silenceConsole(t);
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push(JSON.parse(body));
+      const text =
+        requests.length === 1
+          ? ""
+          : JSON.stringify({ files: [{ path: "src/app/layout.tsx", contents_base64: toBase64(LAYOUT.replace("orange", "purple")) }] });
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify({ content: [{ type: "text", text }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  setEnv(t, {
+    LLM_PROVIDER: "anthropic",
+    ANTHROPIC_API_KEY: "test-key",
+    ANTHROPIC_BASE_URL: `http://127.0.0.1:${server.address().port}`,
+    LLM_MAX_ATTEMPTS: "2",
+  });
+
+  const [file] = await callLLM(TICKET, SCOPE_FILES);
+
+  assert.match(file.contents, /text-purple-500/);
+  assert.equal(requests.length, 2);
+  assert.match(requests[1].messages.at(-1).content, /Model did not return valid JSON/);
+});
+
+test("stub replays one canned response per attempt, accepting plain contents", async (t) => {
+  silenceConsole(t);
+  const stubPath = writeTempFile(
+    "stub.json",
+    JSON.stringify([
+      { files: [{ path: "src/app/page.tsx", contents: "outside scope\n" }] },
+      { files: [{ path: "src/app/layout.tsx", contents: LAYOUT.replace("orange", "green") }] },
+    ])
+  );
+  setEnv(t, { LLM_PROVIDER: "stub", LLM_STUB_FILE: stubPath, LLM_MAX_ATTEMPTS: "2" });
+
+  const attempts = [];
+  const [file] = await callLLM(TICKET, SCOPE_FILES, { attempts });
+
+  assert.match(file.contents, /text-green-500/);
+  assert.deepEqual(
+    attempts.map((attempt) => attempt.status),
+    ["rejected", "ok"]
+  );
+  assert.match(attempts[0].error, /outside scope/);
+});
+
+test("rejects unknown providers and lists the registered ones", async (t) => {
+  setEnv(t, { LLM_PROVIDER: "mistral" });
+  await assert.rejects(
+    callLLM(TICKET, SCOPE_FILES),
+    /Unsupported LLM provider: mistral \(available: openai, openai-compatible, anthropic, stub\)/
+  );
+});
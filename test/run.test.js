@@ -0,0 +1,465 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createRepoBackend, run } = require("../orchestrator");
+const { createTempRepo, writeTempFile, silenceConsole, setEnv } = require("./helpers");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const LAYOUT =
+  'export default function RootLayout({ children }) {\n  return <a className="text-orange-500 hover:text-orange-600">{children}</a>;\n}\n';
+
+Object.assign(process.env, {
+  GITHUB_OWNER: "acme",
+  GITHUB_REPO: "bloom",
+  GITHUB_BASE_BRANCH: "main",
+  GITHUB_TOKEN: "test-token",
+  OPENAI_API_KEY: "sk-test",
+  LLM_PROVIDER: "openai",
+  USE_SCRIPTED_MERGE: "false",
+  VERIFY_STRICT: "true",
+  SHIPYARD_STATE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "shipyard-runs-")),
+});
+
+test("replays an LLM run end to end and arms auto-merge", async (t) => {
+  silenceConsole(t);
+  const result = await run([
+    "--ticket",
+    path.join(__dirname, "..", "tickets", "sample.md"),
+    "--replay",
+    path.join(FIXTURES, "replay", "llm-auto-merge.json"),
+  ]);
+
+  assert.equal(result.status, "pr-opened");
+  assert.match(result.branchName, /^intent-sample-[0-9a-f]{6}$/);
+  assert.equal(result.commitSha, "commit111");
+  assert.equal(result.pr.url, "https://github.com/acme/bloom/pull/42");
+  assert.equal(result.pr.autoMergeEnabled, true);
+  assert.equal(result.usage.calls.length, 1);
+  assert.equal(result.usage.promptTokens, 180);
+  assert.equal(result.usage.completionTokens, 90);
+  assert.equal(result.usage.cost, (180 * 0.25 + 90 * 2) / 1_000_000);
+});
+
+test("falls back to the scripted merge when auto-merge cannot be armed", async (t) => {
+  silenceConsole(t);
+  const result = await run([
+    "--ticket",
+    path.join(FIXTURES, "tickets", "safe-replace.md"),
+    "--replay",
+    path.join(FIXTURES, "replay", "scripted-merge.json"),
+  ]);
+
+  assert.equal(result.pr.autoMergeEnabled, false);
+  assert.equal(result.status, "merged");
+});
+
+test("fails replay when a request was never recorded", async (t) => {
+  silenceConsole(t);
+  const fixture = path.join(FIXTURES, "replay", "llm-auto-merge.json");
+  const truncated = JSON.parse(fs.readFileSync(fixture, "utf8"));
+  truncated.interactions = truncated.interactions.slice(0, 1);
+  const truncatedPath = writeTempFile("truncated.json", JSON.stringify(truncated));
+
+  await assert.rejects(
+    run(["--ticket", path.join(__dirname, "..", "tickets", "sample.md"), "--replay", truncatedPath]),
+    /Replay: no recorded response for GET https:\/\/api.github.com\/repos\/acme\/bloom\/contents/
+  );
+});
+
+test("dry-run against a local repository prints the patch and creates nothing", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const patchPath = path.join(repo.dir, "..", `${path.basename(repo.dir)}.patch`);
+
+  const result = await run([
+    "--ticket",
+    path.join(FIXTURES, "tickets", "safe-replace.md"),
+    "--backend",
+    "local",
+    "--repo-path",
+    repo.dir,
+    "--dry-run",
+    "--patch-out",
+    patchPath,
+  ]);
+
+  assert.equal(result.status, "dry-run");
+  assert.match(result.patch, /^-.*text-orange-500 hover:text-orange-600/m);
+  assert.match(result.patch, /^\+.*text-purple-500 hover:text-purple-600/m);
+  assert.equal(fs.readFileSync(patchPath, "utf8"), result.patch);
+  assert.equal(repo.git("branch", "--list").trim(), "* main");
+});
+
+test("commits SafeReplace edits to a new branch in a local repository", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+
+  const result = await run([
+    "--ticket",
+    path.join(FIXTURES, "tickets", "safe-replace.md"),
+    "--backend",
+    "local",
+    "--repo-path",
+    repo.dir,
+  ]);
+
+  assert.equal(result.status, "committed");
+  assert.equal(repo.git("rev-parse", result.branchName).trim(), result.commitSha);
+  assert.match(
+    repo.git("show", `${result.branchName}:src/app/layout.tsx`),
+    /text-purple-500 hover:text-purple-600/
+  );
+  assert.match(
+    repo.git("log", "-1", "--format=%an%n%B", result.branchName),
+    /^shipyard-bot\nshipyard: Change header brand color to purple\n\nVisual smoke/
+  );
+  assert.equal(fs.readFileSync(path.join(repo.dir, "src/app/layout.tsx"), "utf8"), LAYOUT);
+});
+
+test("sweeps labeled issues, links PRs back, and reports failures on the issue", async (t) => {
+  silenceConsole(t);
+  const fixture = path.join(FIXTURES, "replay", "issue-sweep.json");
+  const report = await run(["--label", "shipyard", "--replay", fixture]);
+
+  assert.equal(report.total, 2);
+  assert.deepEqual(
+    report.results.map((result) => [result.ticket, result.status]),
+    [
+      ["#7", "pr-opened"],
+      ["#8", "failed"],
+    ]
+  );
+  assert.equal(report.results[0].prUrl, "https://github.com/acme/bloom/pull/42");
+  assert.match(report.results[1].error, /^Issue #8: Unable to locate ticket YAML block/);
+
+  const { interactions } = JSON.parse(fs.readFileSync(fixture, "utf8"));
+  const requestBody = (method, urlSuffix) =>
+    interactions.find(
+      (entry) => entry.request.method === method && entry.request.url.endsWith(urlSuffix)
+    ).request.json;
+  assert.match(requestBody("POST", "/pulls").body, /^Closes #7\n/);
+  assert.match(requestBody("POST", "/issues/8/comments").body, /Unable to locate ticket YAML block/);
+});
+
+test("rejects --issue on the local backend", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  await assert.rejects(
+    run(["--issue", "7", "--backend", "local", "--repo-path", repo.dir]),
+    /--issue requires the github backend \(got local\)/
+  );
+});
+
+test("amends an open shipyard PR in place from a PR command", async (t) => {
+  silenceConsole(t);
+  const fixture = path.join(FIXTURES, "replay", "pr-amend.json");
+  const result = await run(["--pr", "42", "--amend", "Make the header link bold", "--replay", fixture]);
+
+  assert.equal(result.status, "updated");
+  assert.equal(result.branchName, "intent-change-header-brand-color-to-purple-abc123");
+  assert.deepEqual(result.issue, { number: 7 });
+
+  const { interactions } = JSON.parse(fs.readFileSync(fixture, "utf8"));
+  const request = (method, urlSuffix) =>
+    interactions.find(
+      (entry) => entry.request.method === method && entry.request.url.endsWith(urlSuffix)
+    ).request;
+  assert.match(request("GET", "layout.tsx?ref=commit111").url, /ref=commit111$/);
+  assert.deepEqual(request("POST", "/git/commits").json.parents, ["commit111"]);
+  assert.match(request("PATCH", "/pulls/42").json.body, /^Closes #7\n[\s\S]*amendments:\n  - Make the header link bold/);
+});
+
+test("retries an open shipyard PR by rebuilding its branch on the latest base", async (t) => {
+  silenceConsole(t);
+  const fixture = path.join(FIXTURES, "replay", "pr-retry.json");
+  const result = await run(["--pr", "42", "--replay", fixture]);
+
+  assert.equal(result.status, "updated");
+  assert.equal(result.commitSha, "commit222");
+
+  const { interactions } = JSON.parse(fs.readFileSync(fixture, "utf8"));
+  const commit = interactions.find((entry) => entry.request.url.endsWith("/git/commits"));
+  assert.deepEqual(commit.request.json.parents, ["base000"]);
+  const refUpdate = interactions.find((entry) => entry.request.method === "PATCH" && /git\/refs/.test(entry.request.url));
+  assert.equal(refUpdate.request.json.force, true);
+});
+
+test("pushes an LLM fix when CI fails on the opened PR and stops once checks pass", async (t) => {
+  silenceConsole(t);
+  process.env.CI_FIX_ROUNDS = "2";
+  t.after(() => delete process.env.CI_FIX_ROUNDS);
+  const fixture = path.join(FIXTURES, "replay", "ci-fix.json");
+  const result = await run([
+    "--ticket",
+    path.join(__dirname, "..", "tickets", "sample.md"),
+    "--replay",
+    fixture,
+  ]);
+
+  assert.deepEqual(result.ciFix, { status: "passed", rounds: 1, headSha: "commit222" });
+  assert.equal(result.commitSha, "commit111");
+
+  const { interactions } = JSON.parse(fs.readFileSync(fixture, "utf8"));
+  const llmCalls = interactions.filter((entry) => entry.request.url.includes("api.openai.com"));
+  assert.match(
+    llmCalls[1].request.json.messages[1].content,
+    /Check 'lint' concluded failure\.[\s\S]*src\/app\/layout\.tsx:2 failure: Missing comment/
+  );
+  const fixCommit = interactions.filter((entry) => entry.request.url.endsWith("/git/commits"))[1];
+  assert.deepEqual(fixCommit.request.json.parents, ["commit111"]);
+  assert.match(fixCommit.request.json.message, /^shipyard: fix CI for Change header brand color to purple\n\nRound 1; failing checks: lint/);
+  const comments = interactions
+    .filter((entry) => entry.request.url.endsWith("/issues/42/comments"))
+    .map((entry) => entry.request.json.body);
+  assert.equal(comments.length, 3);
+  assert.match(comments[2], /all checks passed on `commit2`/);
+});
+
+test("keeps the opened PR when the CI fix loop hits a GitHub error", async (t) => {
+  silenceConsole(t);
+  setEnv(t, { CI_FIX_ROUNDS: "2" });
+
+  const result = await run([
+    "--ticket",
+    path.join(__dirname, "..", "tickets", "sample.md"),
+    "--replay",
+    path.join(FIXTURES, "replay", "ci-fix-error.json"),
+  ]);
+
+  assert.equal(result.status, "pr-opened");
+  assert.equal(result.pr.number, 42);
+  assert.equal(result.ciFix.status, "error");
+  assert.match(result.ciFix.error, /Server Error/);
+  assert.ok(console.warn.mock.calls.some((call) => /^CI fix error: /.test(call.arguments[0])));
+});
+
+function rewindRun(runId, fields) {
+  const recordPath = path.join(process.env.SHIPYARD_STATE_DIR, `${runId}.json`);
+  const record = JSON.parse(fs.readFileSync(recordPath, "utf8"));
+  fs.writeFileSync(recordPath, JSON.stringify({ ...record, ...fields }), "utf8");
+}
+
+test("journals every phase of a run and lists it", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const result = await run([
+    "--ticket",
+    path.join(FIXTURES, "tickets", "safe-replace.md"),
+    "--backend",
+    "local",
+    "--repo-path",
+    repo.dir,
+  ]);
+
+  const records = await run(["runs", "list"]);
+  const record = records.find((entry) => entry.id === result.runId);
+  assert.equal(record.status, "succeeded");
+  assert.equal(record.phase, "done");
+  assert.equal(record.branchName, result.branchName);
+  assert.equal(record.commitSha, result.commitSha);
+  assert.match(record.ticketHash, /^[0-9a-f]{64}$/);
+  assert.deepEqual(
+    record.events.map((event) => event.phase),
+    ["started", "started", "generated", "generated", "branch", "committed", "pr", "done"]
+  );
+});
+
+test("resumes a run that died after creating its branch, reusing the branch name", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const first = await run([
+    "--ticket",
+    path.join(FIXTURES, "tickets", "safe-replace.md"),
+    "--backend",
+    "local",
+    "--repo-path",
+    repo.dir,
+  ]);
+  const baseSha = repo.git("rev-parse", "main").trim();
+  repo.git("update-ref", `refs/heads/${first.branchName}`, baseSha);
+  rewindRun(first.runId, { status: "running", phase: "branch", commitSha: null, pr: null });
+
+  const resumed = await run(["resume", first.runId]);
+
+  assert.equal(resumed.runId, first.runId);
+  assert.equal(resumed.branchName, first.branchName);
+  assert.notEqual(resumed.commitSha, baseSha);
+  assert.equal(repo.git("rev-parse", first.branchName).trim(), resumed.commitSha);
+  assert.equal(repo.git("branch", "--list", "intent-*").trim().split("\n").length, 1);
+});
+
+test("resume adopts a commit that landed before the journal recorded it", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const first = await run([
+    "--ticket",
+    path.join(FIXTURES, "tickets", "safe-replace.md"),
+    "--backend",
+    "local",
+    "--repo-path",
+    repo.dir,
+  ]);
+  rewindRun(first.runId, { status: "failed", phase: "branch", commitSha: null, pr: null });
+
+  const resumed = await run(["resume", first.runId]);
+
+  assert.equal(resumed.commitSha, first.commitSha);
+  assert.equal(repo.git("rev-list", "--count", first.branchName).trim(), "2");
+  await assert.rejects(run(["resume", first.runId]), /already finished \(committed\); nothing to resume/);
+});
+
+test("re-running an edited ticket updates its open PR instead of opening another", async (t) => {
+  silenceConsole(t);
+  const fixture = path.join(FIXTURES, "replay", "update-in-place.json");
+  const result = await run([
+    "--ticket",
+    path.join(FIXTURES, "tickets", "safe-replace.md"),
+    "--replay",
+    fixture,
+  ]);
+
+  assert.equal(result.status, "updated");
+  assert.equal(result.branchName, "intent-safe-replace-92a85a");
+  assert.deepEqual(result.pr, { number: 42, url: "https://github.com/acme/bloom/pull/42" });
+
+  const { interactions } = JSON.parse(fs.readFileSync(fixture, "utf8"));
+  assert.equal(interactions.some((entry) => entry.request.url.endsWith("/pulls") && entry.request.method === "POST"), false);
+  const commit = interactions.find((entry) => entry.request.url.endsWith("/git/commits"));
+  assert.deepEqual(commit.request.json.parents, ["base000"]);
+});
+
+test("re-running a ticket with an id rebuilds the same local branch on the base", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const ticket = fs
+    .readFileSync(path.join(FIXTURES, "tickets", "safe-replace.md"), "utf8")
+    .replace("# shipyard:ticket\n", "# shipyard:ticket\n\nid: Header Color\n");
+  const ticketPath = writeTempFile("header.md", ticket);
+  const args = ["--ticket", ticketPath, "--backend", "local", "--repo-path", repo.dir];
+
+  const first = await run(args);
+  fs.writeFileSync(ticketPath, ticket.replace("target: purple", "target: green"), "utf8");
+  const second = await run(args);
+
+  assert.equal(first.branchName, "intent-header-color");
+  assert.equal(second.branchName, "intent-header-color");
+  assert.notEqual(second.commitSha, first.commitSha);
+  assert.equal(repo.git("rev-list", "--count", "intent-header-color").trim(), "2");
+  assert.match(repo.git("show", "intent-header-color:src/app/layout.tsx"), /text-green-500 hover:text-green-600/);
+});
+
+test("creates, renames and deletes files from ticket file_ops in a local repository", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({
+    "src/app/layout.tsx": LAYOUT,
+    "src/app/components/Old.tsx": "export const Old = 1;\n",
+    "src/legacy.ts": "export const legacy = true;\n",
+  });
+  const ticketPath = writeTempFile(
+    "file-ops.md",
+    [
+      "---",
+      "title: Reshape components",
+      "why: Cleanup",
+      "scope:",
+      "  - src/app/components/Old.tsx",
+      "  - src/app/components/New.tsx",
+      "  - src/app/components/Badge.tsx",
+      "  - src/legacy.ts",
+      "dod:",
+      "  - file_exists: src/app/components/Badge.tsx",
+      "file_ops:",
+      "  - create: src/app/components/Badge.tsx",
+      "    contents: \"export default function Badge() {\\n  return null;\\n}\\n\"",
+      "  - rename: src/app/components/Old.tsx",
+      "    to: src/app/components/New.tsx",
+      "  - delete: src/legacy.ts",
+      "---",
+      "",
+    ].join("\n")
+  );
+  const args = ["--ticket", ticketPath, "--backend", "local", "--repo-path", repo.dir];
+
+  const dryRun = await run([...args, "--dry-run"]);
+  assert.match(dryRun.patch, /^diff --git a\/src\/app\/components\/Old.tsx b\/src\/app\/components\/New.tsx\nrename from/m);
+  assert.match(dryRun.patch, /^--- a\/src\/legacy.ts\n\+\+\+ \/dev\/null$/m);
+  assert.match(dryRun.patch, /^--- \/dev\/null\n\+\+\+ b\/src\/app\/components\/Badge.tsx$/m);
+
+  const result = await run(args);
+  assert.equal(result.status, "committed");
+  assert.deepEqual(repo.git("ls-tree", "-r", "--name-only", result.branchName).trim().split("\n"), [
+    "src/app/components/Badge.tsx",
+    "src/app/components/New.tsx",
+    "src/app/layout.tsx",
+  ]);
+  assert.equal(repo.git("show", `${result.branchName}:src/app/components/New.tsx`), "export const Old = 1;\n");
+  assert.match(
+    repo.git("log", "-1", "--format=%B", result.branchName),
+    /- src\/app\/components\/Badge.tsx \(new\)\n- src\/app\/components\/Old.tsx → src\/app\/components\/New.tsx\n- src\/legacy.ts \(deleted\)/
+  );
+});
+
+test("keeps existing file modes when committing through the GitHub API", async (t) => {
+  silenceConsole(t);
+  const entries = [
+    { path: "scripts", mode: "040000", type: "tree", sha: "treeScripts" },
+    { path: "scripts/deploy.sh", mode: "100755", type: "blob", sha: "blobDeploy" },
+    { path: "scripts/build.sh", mode: "100755", type: "blob", sha: "blobBuild" },
+  ];
+  const listings = {
+    tree000: entries.filter((entry) => !entry.path.includes("/")),
+    treeScripts: entries.slice(1).map((entry) => ({ ...entry, path: path.posix.basename(entry.path) })),
+  };
+  const commitWith = async (truncated) => {
+    const trees = [];
+    const octokit = {
+      git: {
+        getRef: async () => ({ data: { object: { sha: "base000" } } }),
+        getCommit: async () => ({ data: { tree: { sha: "tree000" } } }),
+        getTree: async ({ tree_sha: sha, recursive }) => ({
+          data: recursive ? { truncated, tree: truncated ? listings.tree000 : entries } : { tree: listings[sha] },
+        }),
+        createBlob: async () => ({ data: { sha: "blob111" } }),
+        createTree: async ({ tree }) => {
+          trees.push(tree);
+          return { data: { sha: "tree111" } };
+        },
+        createCommit: async () => ({ data: { sha: "commit111" } }),
+        updateRef: async () => ({}),
+      },
+    };
+    const backend = createRepoBackend("github", { octokit, owner: "acme", repo: "bloom" });
+    await backend.commitFiles("intent-modes", [
+      { path: "scripts/deploy.sh", contents: "#!/bin/sh\necho deploy\n" },
+      { path: "scripts/make.sh", from: "scripts/build.sh", op: "rename", contents: "#!/bin/sh\n" },
+      { path: "scripts/new.sh", op: "create", contents: "#!/bin/sh\n" },
+    ], { title: "Scripts" });
+    return trees[0].map(({ path: entryPath, mode }) => `${mode} ${entryPath}`);
+  };
+
+  const expected = ["100755 scripts/deploy.sh", "100755 scripts/build.sh", "100755 scripts/make.sh", "100644 scripts/new.sh"];
+  assert.deepEqual(await commitWith(false), expected);
+  assert.deepEqual(await commitWith(true), expected);
+});
+
+test("runs the LLM path offline with the stub provider and a local repository", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const stubPath = writeTempFile(
+    "stub.json",
+    JSON.stringify({ files: [{ path: "src/app/layout.tsx", contents: LAYOUT.replace(/orange/g, "purple") }] })
+  );
+  const ticketPath = writeTempFile(
+    "stub-ticket.md",
+    "---\ntitle: Purple header\nwhy: Brand\nscope: [src/app/layout.tsx]\ndod:\n  - contains: text-purple-500\n    path: src/app/layout.tsx\n---\n"
+  );
+  setEnv(t, { LLM_PROVIDER: "stub", LLM_STUB_FILE: stubPath });
+
+  const result = await run(["--ticket", ticketPath, "--backend", "local", "--repo-path", repo.dir]);
+
+  assert.equal(result.status, "committed");
+  assert.match(repo.git("show", `${result.branchName}:src/app/layout.tsx`), /text-purple-500 hover:text-purple-600/);
+});
@@ -0,0 +1,317 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { safeReplace } = require("../orchestrator");
+const { silenceConsole } = require("./helpers");
+
+const LAYOUT = [
+  "export default function RootLayout({ children }) {",
+  '  return <a className="text-pink-500 hover:text-pink-600 bg-orange-50">{children}</a>;',
+  "}",
+  "",
+].join("\n");
+
+function scopeFile(filePath, content) {
+  return { path: filePath, content, sha: "sha" };
+}
+
+test("applies literal find/replace pairs", (t) => {
+  silenceConsole(t);
+  const files = safeReplace(
+    {
+      scope: ["src/app/layout.tsx"],
+      safe_replace: [
+        {
+          path: "src/app/layout.tsx",
+          replacements: [{ find: "bg-orange-50", replace: "bg-purple-50" }],
+        },
+      ],
+    },
+    [scopeFile("src/app/layout.tsx", LAYOUT)]
+  );
+  assert.equal(files.length, 1);
+  assert.match(files[0].contents, /bg-purple-50/);
+  assert.doesNotMatch(files[0].contents, /bg-orange-50/);
+});
+
+test("find_any replaces the first token present in the file", (t) => {
+  silenceConsole(t);
+  const [file] = safeReplace(
+    {
+      scope: ["src/app/layout.tsx"],
+      safe_replace: [
+        {
+          path: "src/app/layout.tsx",
+          replacements: [
+            { find_any: ["text-red-500", "text-pink-500"], replace: "text-purple-500" },
+          ],
+        },
+      ],
+    },
+    [scopeFile("src/app/layout.tsx", LAYOUT)]
+  );
+  assert.match(file.contents, /"text-purple-500 hover:text-pink-600/);
+});
+
+test("color presets expand through the tailwind_color preset", (t) => {
+  silenceConsole(t);
+  const [file] = safeReplace(
+    {
+      scope: ["src/app/layout.tsx"],
+      safe_replace: [
+        {
+          path: "src/app/layout.tsx",
+          color_preset: { target: "purple", kinds: ["text", "hover:text"], shades: [500, 600] },
+        },
+      ],
+    },
+    [scopeFile("src/app/layout.tsx", LAYOUT)]
+  );
+  assert.match(file.contents, /text-purple-500 hover:text-purple-600/);
+});
+
+test("color_preset keeps its original palette unless 'from' is given", (t) => {
+  silenceConsole(t);
+  const content = '<a className="text-gray-500 text-blue-500 text-pink-500" />\n';
+  const recolor = (colorPreset) =>
+    safeReplace(
+      { scope: ["src/app/page.tsx"], safe_replace: [{ path: "src/app/page.tsx", color_preset: colorPreset }] },
+      [scopeFile("src/app/page.tsx", content)]
+    )[0].contents;
+
+  assert.equal(recolor({ target: "red" }), '<a className="text-gray-500 text-blue-500 text-red-500" />\n');
+  assert.equal(recolor({ target: "red", from: ["blue"] }), '<a className="text-gray-500 text-red-500 text-pink-500" />\n');
+});
+
+test("color presets reject unknown targets", () => {
+  assert.throws(
+    () =>
+      safeReplace(
+        {
+          scope: ["src/app/layout.tsx"],
+          safe_replace: [{ path: "src/app/layout.tsx", color_preset: { target: "chartreuse" } }],
+        },
+        [scopeFile("src/app/layout.tsx", LAYOUT)]
+      ),
+    /color_preset target must be one of/
+  );
+});
+
+test("returns no files when nothing matches", (t) => {
+  silenceConsole(t);
+  const files = safeReplace(
+    {
+      scope: ["src/app/layout.tsx"],
+      safe_replace: [
+        { path: "src/app/layout.tsx", replacements: [{ find: "missing", replace: "x" }] },
+      ],
+    },
+    [scopeFile("src/app/layout.tsx", LAYOUT)]
+  );
+  assert.deepEqual(files, []);
+});
+
+test("rejects paths outside scope", () => {
+  assert.throws(
+    () =>
+      safeReplace(
+        {
+          scope: ["src/app/layout.tsx"],
+          safe_replace: [
+            { path: "src/app/page.tsx", replacements: [{ find: "a", replace: "b" }] },
+          ],
+        },
+        [scopeFile("src/app/layout.tsx", LAYOUT)]
+      ),
+    /SafeReplace path outside scope/
+  );
+});
+
+test("directory targets apply to every matching scope file", (t) => {
+  silenceConsole(t);
+  const files = safeReplace(
+    {
+      scope: ["src/app/components/"],
+      safe_replace: [
+        {
+          path: "src/app/components/",
+          replacements: [{ find: "activeColor", replace: "accentColor" }],
+        },
+      ],
+    },
+    [
+      scopeFile("src/app/components/A.tsx", "export const A = ({ activeColor }) => activeColor;\n"),
+      scopeFile("src/app/components/B.tsx", "export const B = () => null;\n"),
+      scopeFile("src/app/components/C.tsx", "export const C = ({ activeColor }) => null;\n"),
+    ]
+  );
+  assert.deepEqual(
+    files.map((file) => file.path),
+    ["src/app/components/A.tsx", "src/app/components/C.tsx"]
+  );
+  assert.ok(files.every((file) => !file.contents.includes("activeColor")));
+});
+
+test("file_ops run after replacements so a renamed file keeps its edits", (t) => {
+  silenceConsole(t);
+  const files = safeReplace(
+    {
+      scope: ["src/app/components/"],
+      safe_replace: [
+        {
+          path: "src/app/components/Old.tsx",
+          replacements: [{ find: "Old", replace: "New" }],
+        },
+      ],
+      file_ops: [
+        { rename: "src/app/components/Old.tsx", to: "src/app/components/New.tsx" },
+        { create: "src/app/components/Badge.tsx", contents: "export const Badge = 1;\n" },
+        { delete: "src/app/components/Legacy.tsx" },
+      ],
+    },
+    [
+      scopeFile("src/app/components/Old.tsx", "export const Old = 1;\n"),
+      scopeFile("src/app/components/Legacy.tsx", "export const Legacy = 1;\n"),
+    ]
+  );
+  assert.deepEqual(
+    files.map(({ path, op, contents }) => [op, path, contents]),
+    [
+      ["rename", "src/app/components/New.tsx", "export const New = 1;\n"],
+      ["create", "src/app/components/Badge.tsx", "export const Badge = 1;\n"],
+      ["delete", "src/app/components/Legacy.tsx", null],
+    ]
+  );
+});
+
+function replaceIn(content, replacements) {
+  const files = safeReplace(
+    { scope: ["src/app/page.tsx"], safe_replace: [{ path: "src/app/page.tsx", replacements }] },
+    [scopeFile("src/app/page.tsx", content)]
+  );
+  return files.length > 0 ? files[0].contents : content;
+}
+
+test("find_regex supports flags and $1-style backreferences", (t) => {
+  silenceConsole(t);
+  const content = 'const A = "Text-Red-500";\nconst B = "text-red-600";\n';
+  assert.equal(
+    replaceIn(content, [{ find_regex: "text-red-(\\d+)", flags: "i", replace: "text-green-$1" }]),
+    'const A = "text-green-500";\nconst B = "text-green-600";\n'
+  );
+  assert.equal(
+    replaceIn(content, [{ find_regex: "(?<name>[AB]) =", replace: "$<name>1 = $$" }]),
+    'const A1 = $ "Text-Red-500";\nconst B1 = $ "text-red-600";\n'
+  );
+  assert.throws(() => replaceIn(content, [{ find_regex: "(", replace: "x" }]), /'find_regex' is invalid/);
+});
+
+test("rejects an empty find instead of matching everywhere and skips blank find_any entries", (t) => {
+  silenceConsole(t);
+  assert.throws(() => replaceIn("abc\n", [{ find: "", replace: "X" }]), /'find' must be a non-empty string/);
+  assert.equal(replaceIn("abc\n", [{ find_any: ["b", " ", ""], replace: "X" }]), "aXc\n");
+  assert.throws(
+    () => replaceIn("abc\n", [{ find_any: [" ", ""], replace: "X" }]),
+    /require non-empty 'find_any' strings/
+  );
+});
+
+test("occurrence limits which matches are replaced", (t) => {
+  silenceConsole(t);
+  const content = "a a a a\n";
+  assert.equal(replaceIn(content, [{ find: "a", replace: "b", occurrence: "first" }]), "b a a a\n");
+  assert.equal(replaceIn(content, [{ find: "a", replace: "b", occurrence: "last" }]), "a a a b\n");
+  assert.equal(replaceIn(content, [{ find_regex: "a", replace: "b", occurrence: 3 }]), "a a b a\n");
+  assert.equal(replaceIn(content, [{ find: "a", replace: "b", occurrence: 5 }]), content);
+  assert.throws(() => replaceIn(content, [{ find: "a", replace: "b", occurrence: 0 }]), /'occurrence' must be first, last, all/);
+});
+
+test("expect_count fails the ticket when the match count differs", (t) => {
+  silenceConsole(t);
+  assert.equal(replaceIn("a a\n", [{ find: "a", replace: "b", expect_count: 2 }]), "b b\n");
+  assert.throws(
+    () => replaceIn("a a\n", [{ find: "a", replace: "b", expect_count: 1 }]),
+    /SafeReplace: expected 1 match\(es\) of a in src\/app\/page.tsx, found 2/
+  );
+  assert.throws(
+    () => replaceIn("a a\n", [{ find: "c", replace: "b", expect_count: 1 }]),
+    /found 0/
+  );
+});
+
+test("within anchors restrict a replacement to the region between markers", (t) => {
+  silenceConsole(t);
+  const content = "red\n/* start */\nred red\n/* end */\nred\n";
+  const within = { after: "/* start */", before: "/* end */" };
+  assert.equal(
+    replaceIn(content, [{ find: "red", replace: "blue", within }]),
+    "red\n/* start */\nblue blue\n/* end */\nred\n"
+  );
+  assert.equal(
+    replaceIn(content, [{ find: "red", replace: "blue", within: { after: "/* end */" } }]),
+    "red\n/* start */\nred red\n/* end */\nblue\n"
+  );
+  assert.equal(replaceIn(content, [{ find: "red", replace: "blue", within: { after: "/* missing */" } }]), content);
+  assert.throws(
+    () => replaceIn(content, [{ find: "red", replace: "blue", expect_count: 2, within: { before: "/* missing */" } }]),
+    /found 0 \(within anchors not found\)/
+  );
+  assert.throws(() => replaceIn(content, [{ find: "red", replace: "blue", within: {} }]), /'within' requires/);
+});
+
+test("tailwind_color covers the full palette, every shade, variants and opacity", (t) => {
+  silenceConsole(t);
+  const content = '<a className="text-sky-50 text-sky-500 dark:text-sky-500 md:hover:bg-rose-950/40 bg-slate-500" />\n';
+  const apply = (options) =>
+    safeReplace(
+      { scope: ["a.tsx"], safe_replace: [{ path: "a.tsx", preset: { name: "tailwind_color", ...options } }] },
+      [scopeFile("a.tsx", content)]
+    )[0].contents;
+
+  assert.equal(
+    apply({ target: "emerald", shades: [50] }),
+    '<a className="text-emerald-50 text-sky-500 dark:text-sky-500 md:hover:bg-rose-950/40 bg-slate-500" />\n'
+  );
+  assert.equal(
+    apply({ target: "emerald", variants: ["dark:"], from: ["sky"] }),
+    '<a className="text-sky-50 text-sky-500 dark:text-emerald-500 md:hover:bg-rose-950/40 bg-slate-500" />\n'
+  );
+  assert.equal(
+    apply({ target: "indigo", kinds: ["md:hover:bg"], shades: "all", opacity: 60 }),
+    '<a className="text-sky-50 text-sky-500 dark:text-sky-500 md:hover:bg-indigo-950/60 bg-slate-500" />\n'
+  );
+  assert.equal(
+    apply({ target: "zinc", kinds: ["bg"], variants: [""] }),
+    '<a className="text-sky-50 text-sky-500 dark:text-sky-500 md:hover:bg-rose-950/40 bg-zinc-500" />\n'
+  );
+  assert.throws(() => apply({ target: "zinc", kinds: ["colour"] }), /kind must be a color utility/);
+  assert.throws(() => apply({ target: "zinc", shades: [525] }), /shades must be within: 50, 100/);
+});
+
+test("rename_identifier, swap_import and css_var presets expand into regex replacements", (t) => {
+  silenceConsole(t);
+  const apply = (content, preset) =>
+    safeReplace(
+      { scope: ["a.ts"], safe_replace: [{ path: "a.ts", preset }] },
+      [scopeFile("a.ts", content)]
+    )[0].contents;
+
+  assert.equal(
+    apply("const fetchUser = 1;\nfetchUsers(fetchUser);\n", { name: "rename_identifier", from: "fetchUser", to: "$loadUser" }),
+    "const $loadUser = 1;\nfetchUsers($loadUser);\n"
+  );
+  assert.equal(
+    apply(
+      'import a from "lodash";\nconst b = require(\'lodash\');\nimport("lodash-es");\nexport * from `lodash`;\n',
+      { name: "swap_import", from: "lodash", to: "lodash-es" }
+    ),
+    'import a from "lodash-es";\nconst b = require(\'lodash-es\');\nimport("lodash-es");\nexport * from `lodash-es`;\n'
+  );
+  const css = ":root { --brand: #f97316; --brand-dark: #000; }\na { color: var(--brand); }\n";
+  assert.equal(
+    apply(css, { name: "css_var", var: "brand", value: "#7c3aed", rename: "--accent" }),
+    ":root { --accent: #7c3aed; --brand-dark: #000; }\na { color: var(--accent); }\n"
+  );
+  assert.throws(() => apply(css, { name: "css_var", var: "--brand" }), /requires 'value', 'rename', or both/);
+  assert.throws(() => apply(css, { name: "recolor" }), /Unknown SafeReplace preset: recolor \(available: tailwind_color/);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createRepoBackend, waitForRequiredChecks } = require("../orchestrator");
+const { silenceConsole, setEnv } = require("./helpers");
+
+// Each poll serves the next snapshot of check runs and commit statuses; the last one repeats.
+function fakeOctokit(snapshots) {
+  let poll = 0;
+  const current = () => snapshots[Math.min(poll, snapshots.length - 1)];
+  return {
+    polls: () => poll,
+    checks: {
+      listForRef: async () => ({ data: { check_runs: current().checkRuns || [] } }),
+    },
+    repos: {
+      getCombinedStatusForRef: async () => {
+        const statuses = current().statuses || [];
+        poll += 1;
+        return { data: { statuses } };
+      },
+    },
+  };
+}
+
+const noSleep = async () => {};
+const run = (name, status, conclusion = null) => ({ name, status, conclusion });
+
+test("waits until every required check run and commit status succeeds", async () => {
+  const octokit = fakeOctokit([
+    { checkRuns: [run("lint", "in_progress")], statuses: [] },
+    {
+      checkRuns: [run("lint", "completed", "success"), run("test (node 20)", "completed", "success")],
+      statuses: [{ context: "ci/jenkins", state: "pending" }],
+    },
+    {
+      checkRuns: [run("lint", "completed", "success"), run("test (node 20)", "completed", "skipped")],
+      statuses: [{ context: "ci/jenkins", state: "success" }],
+    },
+  ]);
+
+  const outcome = await waitForRequiredChecks(octokit, "acme", "bloom", "sha", {
+    checks: ["lint", "test", "jenkins"],
+    sleep: noSleep,
+  });
+
+  assert.deepEqual(outcome, { state: "success" });
+  assert.equal(octokit.polls(), 3);
+});
+
+test("fails fast when any required check fails while others are still pending", async () => {
+  const octokit = fakeOctokit([
+    {
+      checkRuns: [run("lint", "completed", "failure"), run("test", "in_progress")],
+      statuses: [],
+    },
+  ]);
+
+  const outcome = await waitForRequiredChecks(octokit, "acme", "bloom", "sha", {
+    checks: ["test", "lint"],
+    sleep: noSleep,
+  });
+
+  assert.deepEqual(outcome, { state: "failure", name: "lint", conclusion: "failure" });
+  assert.equal(octokit.polls(), 1);
+});
+
+test("treats an erroring commit status as a failure", async () => {
+  const octokit = fakeOctokit([{ statuses: [{ context: "ci/jenkins", state: "error" }] }]);
+
+  const outcome = await waitForRequiredChecks(octokit, "acme", "bloom", "sha", {
+    checks: ["jenkins"],
+    sleep: noSleep,
+  });
+
+  assert.deepEqual(outcome, { state: "failure", name: "ci/jenkins", conclusion: "error" });
+});
+
+test("reports the checks still pending when the timeout expires", async () => {
+  const octokit = fakeOctokit([{ checkRuns: [run("lint", "completed", "success")] }]);
+
+  const outcome = await waitForRequiredChecks(octokit, "acme", "bloom", "sha", {
+    checks: ["lint", "e2e"],
+    timeoutMs: 20,
+    sleep: () => new Promise((resolve) => setTimeout(resolve, 25)),
+  });
+
+  assert.deepEqual(outcome, { state: "timeout", pending: ["e2e"] });
+});
+
+test("arms auto-merge with MERGE_METHOD", async (t) => {
+  silenceConsole(t);
+  setEnv(t, { MERGE_METHOD: "rebase" });
+  const mutations = [];
+  const octokit = {
+    pulls: {
+      create: async () => ({ data: { node_id: "PR_1", number: 42, html_url: "https://github.com/acme/bloom/pull/42", head: { sha: "commit111" } } }),
+    },
+    graphql: async (query, variables) => mutations.push(variables),
+  };
+  const backend = createRepoBackend("github", { octokit, owner: "acme", repo: "bloom" });
+
+  const pr = await backend.openPr({ title: "Purple", why: "Brand", scope: [], dod: [] }, "intent-purple", "main", {});
+
+  assert.equal(pr.autoMergeEnabled, true);
+  assert.deepEqual(mutations, [{ pullRequestId: "PR_1", mergeMethod: "REBASE" }]);
+});
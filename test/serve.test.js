@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { createWebhookServer } = require("../orchestrator");
+const { silenceConsole } = require("./helpers");
+
+const SECRET = "webhook-secret";
+const REPOSITORY = { name: "bloom", owner: { login: "acme" } };
+
+async function startServer(t, runJob) {
+  const server = createWebhookServer({ secret: SECRET, label: "shipyard", runJob });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  const post = async (event, payload, signature) => {
+    const body = JSON.stringify(payload);
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-github-event": event,
+        "x-hub-signature-256":
+          signature || `sha256=${crypto.createHmac("sha256", SECRET).update(body).digest("hex")}`,
+      },
+      body,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { server, post };
+}
+
+function prComment(body, association = "MEMBER") {
+  return {
+    action: "created",
+    repository: REPOSITORY,
+    issue: { number: 42, pull_request: { url: "https://api.github.com/repos/acme/bloom/pulls/42" } },
+    comment: { body, author_association: association },
+  };
+}
+
+test("rejects payloads with a missing or wrong signature", async (t) => {
+  silenceConsole(t);
+  const jobs = [];
+  const { post } = await startServer(t, async (job) => jobs.push(job));
+
+  const payload = { action: "labeled", repository: REPOSITORY, issue: { number: 7 }, label: { name: "shipyard" } };
+  assert.equal((await post("issues", payload, "sha256=deadbeef")).status, 401);
+  assert.equal((await post("issues", payload, "nope")).status, 401);
+  assert.deepEqual(jobs, []);
+});
+
+test("answers 400 to signed but malformed payloads and keeps serving", async (t) => {
+  silenceConsole(t);
+  const jobs = [];
+  const { post } = await startServer(t, async (job) => jobs.push(job));
+
+  assert.equal((await post("issues", null)).status, 400);
+  assert.match((await post("issues", { action: "labeled", repository: { name: "bloom" } })).body.error, /owner or name/);
+  assert.match(
+    (await post("issues", { action: "labeled", repository: REPOSITORY, label: { name: "shipyard" } })).body.error,
+    /missing its issue/
+  );
+  assert.equal((await post("issue_comment", { action: "created", repository: REPOSITORY })).status, 400);
+  const withoutComment = prComment("/shipyard retry");
+  delete withoutComment.comment;
+  assert.match((await post("issue_comment", withoutComment)).body.error, /missing its comment/);
+
+  assert.equal((await post("ping", {})).status, 200);
+  assert.deepEqual(jobs, []);
+});
+
+test("queues a ticket run when an issue gets the shipyard label", async (t) => {
+  silenceConsole(t);
+  const jobs = [];
+  const { server, post } = await startServer(t, async (job) => jobs.push(job));
+
+  const labeled = await post("issues", {
+    action: "labeled",
+    repository: REPOSITORY,
+    issue: { number: 7 },
+    label: { name: "shipyard" },
+  });
+  const otherLabel = await post("issues", {
+    action: "labeled",
+    repository: REPOSITORY,
+    issue: { number: 8 },
+    label: { name: "bug" },
+  });
+  await server.queue.idle();
+
+  assert.equal(labeled.status, 202);
+  assert.equal(otherLabel.status, 200);
+  assert.match(otherLabel.body.ignored, /without the 'shipyard' label/);
+  assert.deepEqual(jobs, [{ owner: "acme", repo: "bloom", kind: "issue", number: 7 }]);
+});
+
+test("turns /shipyard retry and amend comments into PR jobs for trusted commenters", async (t) => {
+  silenceConsole(t);
+  const jobs = [];
+  const { server, post } = await startServer(t, async (job) => jobs.push(job));
+
+  assert.equal((await post("issue_comment", prComment("/shipyard retry"))).status, 202);
+  assert.equal(
+    (await post("issue_comment", prComment("Looks close.\n/shipyard amend make the link bold"))).status,
+    202
+  );
+  assert.match((await post("issue_comment", prComment("/shipyard retry", "NONE"))).body.ignored, /NONE/);
+  assert.match((await post("issue_comment", prComment("/shipyard amend"))).body.ignored, /needs an instruction/);
+  assert.match((await post("issue_comment", prComment("lgtm"))).body.ignored, /no \/shipyard command/);
+  await server.queue.idle();
+
+  assert.deepEqual(jobs, [
+    { owner: "acme", repo: "bloom", kind: "retry", number: 42 },
+    { owner: "acme", repo: "bloom", kind: "amend", number: 42, instruction: "make the link bold" },
+  ]);
+});
+
+test("runs jobs for one repository one at a time and keeps going after a failure", async (t) => {
+  silenceConsole(t);
+  const events = [];
+  let running = 0;
+  const { server, post } = await startServer(t, async (job) => {
+    running += 1;
+    events.push(`start #${job.number} (${running} running)`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    running -= 1;
+    events.push(`end #${job.number}`);
+    if (job.number === 1) {
+      throw new Error("boom");
+    }
+  });
+
+  for (const number of [1, 2]) {
+    await post("issues", {
+      action: "labeled",
+      repository: REPOSITORY,
+      issue: { number },
+      label: { name: "shipyard" },
+    });
+  }
+  await server.queue.idle();
+
+  assert.deepEqual(events, ["start #1 (1 running)", "end #1", "start #2 (1 running)", "end #2"]);
+});
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createRepoBackend, loadShipyardConfig, runSanityRails, safeReplace } = require("../orchestrator");
+const { createTempRepo, writeTempFile, silenceConsole } = require("./helpers");
+
+const SHIPYARD_YML = `
+sanity_rails:
+  max_size: 1000
+  allowed_extensions: [ts, tsx, json]
+  rules:
+    - name: Button export
+      files: "src/components/**/*.tsx"
+      required_anchors: ["export default"]
+      forbidden_substrings: ["console.log("]
+      forbidden_patterns: ["\\\\bdebugger\\\\b"]
+`;
+
+test("falls back to the layout/NowPlaying defaults without a config file", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ "README.md": "hello\n" });
+  const backend = createRepoBackend("local", { repoPath: repo.dir });
+  const config = await loadShipyardConfig(backend, "main");
+
+  assert.equal(config.source, null);
+  assert.throws(
+    () => runSanityRails([{ path: "src/app/layout.tsx", contents: "export {};\n" }], config.sanityRails),
+    /failed RootLayout export assertion/
+  );
+});
+
+test("loads per-glob rules from .shipyard.yml in the target repository", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ ".shipyard.yml": SHIPYARD_YML });
+  const backend = createRepoBackend("local", { repoPath: repo.dir });
+  const { sanityRails } = await loadShipyardConfig(backend, "main");
+  const check = (filePath, contents) => () => runSanityRails([{ path: filePath, contents }], sanityRails);
+
+  assert.doesNotThrow(check("src/components/ui/Button.tsx", "export default Button;\n"));
+  assert.doesNotThrow(check("src/app/layout.tsx", "no defaults here\n"));
+  assert.throws(check("src/components/Button.tsx", "export const x = 1;\n"), /Button export assertion/);
+  assert.throws(
+    check("src/components/Button.tsx", "export default B; debugger;\n"),
+    /forbidden pattern check/
+  );
+  assert.throws(
+    check("src/components/Button.tsx", "export default B; console.log(1);\n"),
+    /forbidden substring check \(console.log\(\)/
+  );
+  assert.throws(check("src/app/page.js", "x\n"), /allowed extension check \(\.js\)/);
+  assert.throws(check("data.json", "x".repeat(1001)), /size check \(1001 bytes\)/);
+});
+
+test("an explicit engine-side config overrides the repository config", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({ ".shipyard.yml": SHIPYARD_YML });
+  const backend = createRepoBackend("local", { repoPath: repo.dir });
+  const enginePath = writeTempFile("shipyard.yml", "sanity_rails:\n  include_defaults: true\n");
+  const config = await loadShipyardConfig(backend, "main", enginePath);
+
+  assert.equal(config.source, enginePath);
+  assert.doesNotThrow(() =>
+    runSanityRails([{ path: "src/app/page.js", contents: "x\n" }], config.sanityRails)
+  );
+  assert.throws(
+    () => runSanityRails([{ path: "src/app/layout.tsx", contents: "x\n" }], config.sanityRails),
+    /RootLayout export assertion/
+  );
+});
+
+test("rejects malformed rules", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({
+    ".shipyard.yml": "sanity_rails:\n  rules:\n    - required_anchors: [x]\n",
+  });
+  const backend = createRepoBackend("local", { repoPath: repo.dir });
+  await assert.rejects(loadShipyardConfig(backend, "main"), /rules\[0\]\.files is required/);
+});
+
+test("registers SafeReplace presets from config and fills their params", async (t) => {
+  silenceConsole(t);
+  const repo = createTempRepo({
+    ".shipyard.yml": [
+      "presets:",
+      "  brand_tone:",
+      "    params: [tone]",
+      "    replacements:",
+      '      - find_regex: "brand-(primary|accent)-\\\\w+"',
+      '        replace: "brand-$1-{{tone}}"',
+      "",
+    ].join("\n"),
+  });
+  const backend = createRepoBackend("local", { repoPath: repo.dir });
+  const { presets } = await loadShipyardConfig(backend, "main");
+  const ticket = (preset) => ({
+    scope: ["src/app.css"],
+    safe_replace: [{ path: "src/app.css", preset }],
+  });
+  const scopeFiles = [{ path: "src/app.css", content: ".a { @apply brand-primary-light brand-accent-dim; }\n" }];
+
+  const [file] = safeReplace(ticket({ name: "brand_tone", tone: "dark" }), scopeFiles, { presets });
+  assert.equal(file.contents, ".a { @apply brand-primary-dark brand-accent-dark; }\n");
+  assert.throws(() => safeReplace(ticket("brand_tone"), scopeFiles, { presets }), /preset brand_tone requires 'tone'/);
+
+  const shadowing = createTempRepo({
+    ".shipyard.yml": "presets:\n  css_var:\n    replacements:\n      - find: a\n        replace: b\n",
+  });
+  await assert.rejects(
+    loadShipyardConfig(createRepoBackend("local", { repoPath: shadowing.dir }), "main"),
+    /presets\.css_var would shadow a built-in preset/
+  );
+  const undeclared = createTempRepo({
+    ".shipyard.yml": "presets:\n  p:\n    replacements:\n      - find: a\n        replace: \"{{x}}\"\n",
+  });
+  await assert.rejects(
+    loadShipyardConfig(createRepoBackend("local", { repoPath: undeclared.dir }), "main"),
+    /presets\.p uses undeclared params: x/
+  );
+});
+
+test("reads model prices and rejects entries without input/output rates", async (t) => {
+  silenceConsole(t);
+  const load = (yml) =>
+    loadShipyardConfig(createRepoBackend("local", { repoPath: createTempRepo({ ".shipyard.yml": yml }).dir }), "main");
+
+  const { prices } = await load('prices:\n  "qwen*": { input: 0, output: 0.5 }\n');
+  assert.deepEqual(prices, { "qwen*": { input: 0, output: 0.5 } });
+  await assert.rejects(load("prices:\n  gpt-4.1: { input: 2 }\n"), /prices.gpt-4.1 needs non-negative 'input' and 'output'/);
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runSyntaxChecks } = require("../orchestrator");
+const { silenceConsole } = require("./helpers");
+
+function check(filePath, contents, original) {
+  const scopeFiles = original === undefined ? [] : [{ path: filePath, content: original }];
+  return () => runSyntaxChecks([{ path: filePath, contents }], scopeFiles);
+}
+
+test("accepts well-formed JS, TSX, JSON, YAML and CSS", () => {
+  assert.doesNotThrow(check("src/a.js", "export const a = () => 1;\n"));
+  assert.doesNotThrow(
+    check("src/app/layout.tsx", "export default function RootLayout() {\n  return <div className=\"x\">{1}</div>;\n}\n")
+  );
+  assert.doesNotThrow(check("package.json", '{ "name": "x" }\n'));
+  assert.doesNotThrow(check(".github/workflows/ci.yml", "on: [push]\njobs: {}\n"));
+  assert.doesNotThrow(check("src/app/globals.css", "a { color: red; } /* } */ b::after { content: \"}\"; }\n"));
+  assert.doesNotThrow(check("README.md", "{{{ not parsed\n"));
+});
+
+test("reports line and column for broken edits", () => {
+  assert.throws(
+    check("src/app/layout.tsx", "export default function RootLayout() {\n  return <div>;\n"),
+    /SanityRails failure: src\/app\/layout.tsx failed syntax check \(line \d+, column \d+: /
+  );
+  assert.throws(check("data.json", '{ "a": }'), /data.json failed syntax check/);
+  assert.throws(
+    check("config.yml", "a: [1,\nb: 2\n"),
+    /config.yml failed syntax check \(line 3, column 1: unexpected end of the stream/
+  );
+  assert.throws(
+    check("site.css", "a {\n  color: red;\n"),
+    /site.css failed syntax check \(line 1, column 3: Unclosed '\{'\.\)/
+  );
+});
+
+test("does not block files that already failed to parse before the edit", (t) => {
+  silenceConsole(t);
+  assert.doesNotThrow(check("broken.json", "{ nope, still }", "{ nope }"));
+  assert.throws(check("fixed.json", "{ nope }", '{ "ok": true }'), /failed syntax check/);
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { spawnSync } = require("child_process");
+
+const { callLLM, run } = require("../orchestrator");
+const { createTempRepo, writeTempFile, toBase64, silenceConsole, setEnv } = require("./helpers");
+
+const LAYOUT = 'export default function RootLayout() {\n  return <a className="text-orange-500" />;\n}\n';
+const TICKET = { title: "Recolor", why: "Brand", scope: ["src/app/layout.tsx"], dod: ["purple"] };
+const SCOPE_FILES = [{ path: "src/app/layout.tsx", content: LAYOUT }];
+
+async function startChatServer(t, replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push(JSON.parse(body));
+      const content = JSON.stringify(replies[Math.min(requests.length, replies.length) - 1]);
+      res.setHeader("content-type", "application/json");
+      res.end(
+        JSON.stringify({
+          id: String(requests.length),
+          object: "chat.completion",
+          choices: [{ index: 0, message: { role: "assistant", content } }],
+          usage: { prompt_tokens: 1000 * requests.length, completion_tokens: 200, total_tokens: 1000 * requests.length + 200 },
+        })
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  setEnv(t, {
+    LLM_PROVIDER: "openai-compatible",
+    OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    OPENAI_MODEL: "llama3.1",
+    LLM_MAX_ATTEMPTS: "2",
+  });
+  return requests;
+}
+
+test("records tokens, latency and cost for every call from the provider's usage", async (t) => {
+  silenceConsole(t);
+  await startChatServer(t, [
+    { files: [{ path: "src/app/page.tsx", contents_base64: toBase64("x\n") }] },
+    { files: [{ path: "src/app/layout.tsx", contents_base64: toBase64(LAYOUT.replace("orange", "purple")) }] },
+  ]);
+
+  const usage = [];
+  await callLLM(TICKET, SCOPE_FILES, { usage, prices: { "llama*": { input: 1, output: 10 } } });
+
+  assert.deepEqual(
+    usage.map(({ attempt, provider, model, promptTokens, completionTokens, estimated }) => ({
+      attempt,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      estimated,
+    })),
+    [
+      { attempt: 1, provider: "openai-compatible", model: "llama3.1", promptTokens: 1000, completionTokens: 200, estimated: false },
+      { attempt: 2, provider: "openai-compatible", model: "llama3.1", promptTokens: 2000, completionTokens: 200, estimated: false },
+    ]
+  );
+  assert.equal(usage[0].cost, 0.003);
+  assert.equal(usage[1].cost, 0.004);
+  assert.ok(usage.every((call) => Number.isInteger(call.latencyMs) && call.latencyMs >= 0));
+});
+
+test("--max-cost aborts a run before the LLM call and journals the failure", async (t) => {
+  silenceConsole(t);
+  const requests = await startChatServer(t, [{ files: [] }]);
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "shipyard-runs-"));
+  setEnv(t, { SHIPYARD_STATE_DIR: stateDir });
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const ticketPath = writeTempFile("cost.md", "---\ntitle: Purple\nwhy: Brand\nscope: [src/app/layout.tsx]\ndod: [purple]\n---\n");
+  const configPath = writeTempFile("shipyard.yml", "prices:\n  llama3.1: { input: 100, output: 100 }\n");
+  const args = ["--ticket", ticketPath, "--backend", "local", "--repo-path", repo.dir, "--max-cost", "0.001"];
+
+  await assert.rejects(
+    run([...args, "--config", configPath]),
+    /Cost budget exceeded: \$0\.0000 spent \+ ~\$0\.\d{4} for the next call would pass --max-cost \$0\.001\./
+  );
+  await assert.rejects(run(args), /--max-cost needs a price for llama3.1; add it under 'prices' in .shipyard.yml\./);
+
+  assert.equal(requests.length, 0);
+  const [record] = fs.readdirSync(stateDir).map((name) => JSON.parse(fs.readFileSync(path.join(stateDir, name), "utf8")));
+  assert.equal(record.status, "failed");
+  assert.equal(record.options.maxCost, 0.001);
+  assert.deepEqual(record.usage.calls, []);
+});
+
+test("journals each LLM call as it is recorded, before the run finishes", async (t) => {
+  silenceConsole(t);
+  await startChatServer(t, [
+    { files: [{ path: "src/app/page.tsx", contents_base64: toBase64("x\n") }] },
+    { files: [{ path: "src/app/layout.tsx", contents_base64: toBase64(LAYOUT.replace("orange", "purple")) }] },
+  ]);
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "shipyard-runs-"));
+  setEnv(t, { SHIPYARD_STATE_DIR: stateDir });
+  const repo = createTempRepo({ "src/app/layout.tsx": LAYOUT });
+  const ticketPath = writeTempFile("journal.md", "---\ntitle: Purple\nwhy: Brand\nscope: [src/app/layout.tsx]\ndod: [purple]\n---\n");
+
+  const result = await run(["--ticket", ticketPath, "--backend", "local", "--repo-path", repo.dir]);
+
+  const record = JSON.parse(fs.readFileSync(path.join(stateDir, `${result.runId}.json`), "utf8"));
+  const messages = record.events.map((event) => event.message);
+  const recorded = messages.filter((message) => message.startsWith("LLM call recorded: llama3.1"));
+  assert.equal(recorded.length, 2);
+  assert.ok(messages.lastIndexOf(recorded[1]) < messages.findIndex((message) => message.startsWith("edits generated")));
+  assert.equal(record.usage.calls.length, 2);
+});
+
+test("--max-cost rejects values that are not a non-negative number", () => {
+  for (const value of ["abc", "-1"]) {
+    const child = spawnSync(process.execPath, [path.join(__dirname, "..", "orchestrator.js"), `--max-cost=${value}`], {
+      encoding: "utf8",
+      timeout: 30000,
+    });
+    assert.equal(child.status, 1);
+    assert.match(child.stderr, /--max-cost must be a number of USD, 0 or more\./);
+  }
+});
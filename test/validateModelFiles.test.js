@@ -0,0 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateModelFiles, runSanityRails, buildUnifiedDiff } = require("../orchestrator");
+const { toBase64, silenceConsole } = require("./helpers");
+
+const LAYOUT = 'export default function RootLayout() {\n  return <a className="text-orange-500" />;\n}\n';
+
+test("decodes whole-file responses within scope", () => {
+  const [file] = validateModelFiles(
+    [{ path: "./src/app/layout.tsx", contents_base64: toBase64(LAYOUT) }],
+    ["src/app/layout.tsx"]
+  );
+  assert.equal(file.path, "src/app/layout.tsx");
+  assert.equal(file.contents, LAYOUT);
+});
+
+test("enforces scope, including directory, glob and filter entries", () => {
+  const scope = ["src/app/components/", "src/**/*.css"];
+  const filters = { exclude: ["**/*.test.tsx"] };
+  const attempt = (filePath) =>
+    validateModelFiles([{ path: filePath, contents_base64: toBase64("x") }], scope, { filters });
+
+  assert.equal(attempt("src/app/components/A.tsx")[0].path, "src/app/components/A.tsx");
+  assert.equal(attempt("src/styles/site.css")[0].path, "src/styles/site.css");
+  assert.throws(() => attempt("src/app/components/A.test.tsx"), /outside scope/);
+  assert.throws(() => attempt("src/app/layout.tsx"), /outside scope/);
+  assert.throws(() => attempt("../etc/passwd"), /escapes repository/);
+});
+
+test("treats wildcards inside {a,b} alternatives as globs", () => {
+  const attempt = (filePath, scope) => validateModelFiles([{ path: filePath, contents_base64: toBase64("x") }], scope);
+
+  assert.equal(attempt("src/page.tsx", ["src/{*.ts,*.tsx}"])[0].path, "src/page.tsx");
+  assert.equal(attempt("src/a/b/util.ts", ["src/{**/*.ts,*.js}"])[0].path, "src/a/b/util.ts");
+  assert.throws(() => attempt("src/app/page.tsx", ["src/{*.ts,*.tsx}"]), /outside scope/);
+  assert.equal(attempt("src/b.ts", ["src/{a?,b}.ts"])[0].path, "src/b.ts");
+  assert.throws(() => attempt("src/.ts", ["src/{a?,b}.ts"]), /outside scope/);
+});
+
+test("rejects more than MAX_FILES files", () => {
+  const files = Array.from({ length: 6 }, (_, index) => ({
+    path: `src/${index}.ts`,
+    contents_base64: toBase64("x"),
+  }));
+  assert.throws(() => validateModelFiles(files, ["src/"]), /Refusing to modify more than 5 files/);
+});
+
+test("applies search/replace edits that match exactly once", () => {
+  const scopeFiles = [{ path: "src/app/layout.tsx", content: LAYOUT }];
+  const [file] = validateModelFiles(
+    [
+      {
+        path: "src/app/layout.tsx",
+        edits: [{ search: "text-orange-500", replace: "text-purple-500" }],
+      },
+    ],
+    ["src/app/layout.tsx"],
+    { scopeFiles }
+  );
+  assert.equal(file.contents, LAYOUT.replace("text-orange-500", "text-purple-500"));
+
+  assert.throws(
+    () =>
+      validateModelFiles(
+        [{ path: "src/app/layout.tsx", edits: [{ search: "text-red-500", replace: "x" }] }],
+        ["src/app/layout.tsx"],
+        { scopeFiles }
+      ),
+    /search text not found/
+  );
+});
+
+test("applies unified diffs and rejects hunks that do not match", () => {
+  const scopeFiles = [{ path: "src/app/layout.tsx", content: LAYOUT }];
+  const updated = LAYOUT.replace("text-orange-500", "text-purple-500");
+  const diff = buildUnifiedDiff("src/app/layout.tsx", LAYOUT, updated);
+
+  const [file] = validateModelFiles([{ path: "src/app/layout.tsx", diff }], ["src/app/layout.tsx"], {
+    scopeFiles,
+  });
+  assert.equal(file.contents, updated);
+
+  assert.throws(
+    () =>
+      validateModelFiles(
+        [{ path: "src/app/layout.tsx", diff: diff.replace("orange", "red") }],
+        ["src/app/layout.tsx"],
+        { scopeFiles }
+      ),
+    /Diff hunk does not match/
+  );
+});
+
+test("validates create, delete and rename ops against scope and existing files", () => {
+  const scope = ["src/app/"];
+  const scopeFiles = [
+    { path: "src/app/layout.tsx", content: LAYOUT },
+    { path: "src/app/Old.tsx", content: "export const Old = 1;\n" },
+  ];
+  const validate = (files) => validateModelFiles(files, scope, { scopeFiles });
+
+  const files = validate([
+    { path: "src/app/Badge.tsx", op: "create", contents_base64: toBase64("export const Badge = 1;\n") },
+    { path: "src/app/New.tsx", op: "rename", from: "src/app/Old.tsx" },
+    { path: "src/app/layout.tsx", op: "delete" },
+  ]);
+  assert.deepEqual(
+    files.map(({ path, op, from, contents }) => ({ path, op, from, contents })),
+    [
+      { path: "src/app/Badge.tsx", op: "create", from: undefined, contents: "export const Badge = 1;\n" },
+      { path: "src/app/New.tsx", op: "rename", from: "src/app/Old.tsx", contents: "export const Old = 1;\n" },
+      { path: "src/app/layout.tsx", op: "delete", from: undefined, contents: null },
+    ]
+  );
+
+  assert.throws(
+    () => validate([{ path: "src/app/layout.tsx", op: "create", contents_base64: toBase64("x") }]),
+    /Cannot create src\/app\/layout.tsx: the path already exists/
+  );
+  assert.throws(() => validate([{ path: "src/app/Gone.tsx", op: "delete" }]), /Delete targets a file that was not provided/);
+  assert.throws(() => validate([{ path: "src/lib/New.tsx", op: "rename", from: "src/app/Old.tsx" }]), /outside scope/);
+  assert.throws(() => validate([{ path: "src/app/New.tsx", op: "move" }]), /must be one of: update, create, delete, rename/);
+  assert.throws(
+    () =>
+      validate([
+        { path: "src/app/Old.tsx", op: "delete" },
+        { path: "src/app/New.tsx", op: "rename", from: "src/app/Old.tsx" },
+      ]),
+    /more than one file entry: src\/app\/Old.tsx/
+  );
+});
+
+test("renders renames and deletions as git-style diffs", () => {
+  const renamed = buildUnifiedDiff("src/app/New.tsx", "a\n", "a\n", 3, "src/app/Old.tsx");
+  assert.equal(renamed, "diff --git a/src/app/Old.tsx b/src/app/New.tsx\nrename from src/app/Old.tsx\nrename to src/app/New.tsx\n");
+  assert.match(buildUnifiedDiff("src/app/Old.tsx", "a\n", ""), /^--- a\/src\/app\/Old.tsx\n\+\+\+ \/dev\/null\n@@ -1,1 \+0,0 @@\n-a$/m);
+});
+
+test("Sanity Rails refuses to delete or rename a file guarded by required anchors", (t) => {
+  silenceConsole(t);
+  assert.throws(
+    () => runSanityRails([{ path: "src/app/layout.tsx", op: "delete", contents: null }]),
+    /src\/app\/layout.tsx is guarded by RootLayout export and cannot be deleted/
+  );
+  assert.doesNotThrow(() => runSanityRails([{ path: "src/app/Old.tsx", op: "delete", contents: null }]));
+});
+
+test("Sanity Rails guards layout exports and control characters", (t) => {
+  silenceConsole(t);
+  assert.doesNotThrow(() => runSanityRails([{ path: "src/app/layout.tsx", contents: LAYOUT }]));
+  assert.throws(
+    () => runSanityRails([{ path: "src/app/layout.tsx", contents: "export const x = 1;\n" }]),
+    /SanityRails failure: src\/app\/layout.tsx failed RootLayout export assertion/
+  );
+  assert.throws(
+    () => runSanityRails([{ path: "a.txt", contents: "bad \u0007 bell" }]),
+    /non-printable character check/
+  );
+});